@@ -0,0 +1,80 @@
+/**
+ * Snapshot the student spreadsheet into the local storage file so the HUD can
+ * run with STORAGE_BACKEND=local (offline, demos, no service account needed).
+ *
+ * Values are exported as displayed in Google Sheets, so stat formulas in
+ * Sectors and Command_Center arrive as their computed numbers.
+ *
+ * Usage: node export-local-data.js [output-path]
+ *   output-path defaults to LOCAL_DATA_PATH or ./data/local-store.json
+ */
+
+const { google } = require("googleapis");
+const fs = require("fs");
+const path = require("path");
+
+// Load .env
+try {
+  const envFile = fs.readFileSync(path.join(__dirname, ".env"), "utf8");
+  for (const line of envFile.split("\n")) {
+    const t = line.trim();
+    if (!t || t.startsWith("#")) continue;
+    const eq = t.indexOf("=");
+    if (eq === -1) continue;
+    const k = t.slice(0, eq).trim();
+    const v = t.slice(eq + 1).trim();
+    if (!process.env[k]) process.env[k] = v;
+  }
+} catch {}
+
+const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
+const CREDENTIALS_PATH = process.env.GOOGLE_CREDENTIALS_PATH || "./credentials.json";
+const OUTPUT_PATH = path.resolve(__dirname, process.argv[2] || process.env.LOCAL_DATA_PATH || "./data/local-store.json");
+
+async function main() {
+  if (!SPREADSHEET_ID) throw new Error("SPREADSHEET_ID is not set");
+  const creds = JSON.parse(fs.readFileSync(path.resolve(__dirname, CREDENTIALS_PATH), "utf8"));
+  const auth = new google.auth.GoogleAuth({
+    credentials: creds,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"],
+  });
+  const sheets = google.sheets({ version: "v4", auth });
+
+  // Export every tab, not just the ones the server knows today
+  const meta = await sheets.spreadsheets.get({
+    spreadsheetId: SPREADSHEET_ID,
+    fields: "sheets.properties.title",
+  });
+  const titles = meta.data.sheets.map((s) => s.properties.title);
+
+  const res = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: SPREADSHEET_ID,
+    ranges: titles,
+  });
+
+  const book = { nextSheetId: 1, sheets: {} };
+  res.data.valueRanges.forEach((vr, i) => {
+    const rows = vr.values || [];
+    book.sheets[titles[i]] = { sheetId: book.nextSheetId++, rows };
+    console.log(`  ${titles[i]}: ${Math.max(0, rows.length - 1)} row(s)`);
+  });
+
+  // Merge into an existing store so other partitions are preserved
+  let store = { spreadsheets: {} };
+  try {
+    store = JSON.parse(fs.readFileSync(OUTPUT_PATH, "utf8"));
+    if (!store.spreadsheets) store = { spreadsheets: {} };
+  } catch {}
+  store.spreadsheets[SPREADSHEET_ID] = book;
+
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(store, null, 2));
+
+  console.log(`\nExported ${titles.length} tab(s) to ${OUTPUT_PATH}`);
+  console.log(`Run the server with STORAGE_BACKEND=local and SPREADSHEET_ID=${SPREADSHEET_ID} to use this snapshot.`);
+}
+
+main().catch((err) => {
+  console.error("Error:", err.message);
+  process.exit(1);
+});
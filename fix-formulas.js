@@ -1,6 +1,7 @@
 /**
  * One-time script to update Sectors sheet formulas from column-index VLOOKUPs
- * to header-resilient INDEX/MATCH formulas.
+ * to header-resilient INDEX/MATCH formulas, scaled by the Mastery column
+ * (rubric grade; blank = full credit).
  *
  * Before running:
  *   - Service account must have Editor access on the sheet
@@ -77,13 +78,17 @@ async function main() {
   //   INDEX($A:$Z, ROW(), MATCH("Sector", $1:$1, 0))               ← Sector from current row
   //   INDEX(Definitions!$A:$Z, , MATCH("Sector", Definitions!$1:$1, 0)) ← Sector col in Definitions
   //   MATCH("INTELLIGENCE", Definitions!$1:$1, 0)                   ← target stat col in Definitions
+  //   IFERROR(IF(Mastery="", 1, Mastery/100), 1)                    ← rubric mastery, full credit if blank/missing
+  //
+  // Keep in sync with sectorStatFormula() in server.js.
   //
   // Write each stat column independently (so they land in the right place regardless of order)
   for (const col of statCols) {
     const formulas = [];
     for (let row = 2; row <= lastRow; row++) {
       formulas.push([
-        `=INDEX($A:$Z,ROW(),MATCH("Impact(1-3)",$1:$1,0))*INDEX(Definitions!$A:$Z,MATCH(INDEX($A:$Z,ROW(),MATCH("Sector",$1:$1,0)),INDEX(Definitions!$A:$Z,,MATCH("Sector",Definitions!$1:$1,0)),0),MATCH("${col.name}",Definitions!$1:$1,0))`,
+        `=INDEX($A:$Z,ROW(),MATCH("Impact(1-3)",$1:$1,0))*INDEX(Definitions!$A:$Z,MATCH(INDEX($A:$Z,ROW(),MATCH("Sector",$1:$1,0)),INDEX(Definitions!$A:$Z,,MATCH("Sector",Definitions!$1:$1,0)),0),MATCH("${col.name}",Definitions!$1:$1,0))` +
+          `*IFERROR(IF(INDEX($A:$Z,ROW(),MATCH("Mastery",$1:$1,0))="",1,INDEX($A:$Z,ROW(),MATCH("Mastery",$1:$1,0))/100),1)`,
       ]);
     }
 
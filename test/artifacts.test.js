@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { getSheets, readTable, appendRows, startQuests, startServer, logIn } = require("./setup");
+
+const STUDENT = { name: "Stu", role: "student" };
+
+test.before(async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Users", [{ Email: "t@example.com", Name: "Teach", Role: "Teacher" }]);
+  await appendRows(sheets, "Sectors", ["Leaves", "Bark"].map((Minion) => ({ Sector: "Science", Subject: "Science", Boss: "Trees", Minion, Status: "Engaged", "Impact(1-3)": "1" })));
+});
+
+// Submit a quest through the API with multipart `files`; -> its Artifacts rows
+async function submitFiles(minion, files) {
+  const sheets = await getSheets();
+  const { questIds: [id] } = await startQuests(sheets, [{ sector: "Science", boss: "Trees", minion }], { actor: STUDENT });
+  const server = await startServer();
+  try {
+    const b = await logIn(server.url, "t@example.com");
+    const form = new FormData();
+    form.append("reflection", "Looked closely.");
+    form.append("timeSpent", "15");
+    for (const [name, data] of files) form.append("files", new Blob([data]), name);
+    const res = await fetch(`${server.url}/api/v1/quests/${id}/submit`, {
+      method: "POST", body: form, headers: { cookie: Object.entries(b.cookies).map(([k, v]) => `${k}=${v}`).join("; ") },
+    });
+    assert.strictEqual(res.status, 200, await res.text());
+  } finally {
+    await server.close();
+  }
+  return (await readTable(sheets, "Artifacts")).rows.filter((r) => r["Quest ID"] === id);
+}
+
+test("an image uploaded without a thumbnail gets one made on the server", async () => {
+  const photo = await sharp({ create: { width: 1200, height: 600, channels: 3, background: "#3a7" } }).png().toBuffer();
+  const [image, pdf] = await submitFiles("Leaves", [["leaf.png", photo], ["notes.pdf", Buffer.from("%PDF-1.4\n")]]);
+  assert.ok(image["Thumbnail"].startsWith("thumbs/"));
+  const thumb = await sharp(path.join(process.env.ARTIFACTS_PATH, "local", image["Thumbnail"])).metadata();
+  assert.deepStrictEqual([thumb.format, thumb.width, thumb.height], ["jpeg", 320, 160]);
+  assert.strictEqual(pdf["Thumbnail"], "");
+});
+
+test("an unreadable image is kept without a thumbnail", async () => {
+  const [image] = await submitFiles("Bark", [["bark.jpg", Buffer.from("not really a jpeg")]]);
+  assert.strictEqual(image["Thumbnail"], "");
+  assert.ok(fs.existsSync(path.join(process.env.ARTIFACTS_PATH, "local", image["File"])));
+});
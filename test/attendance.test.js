@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { attendanceRecords, summarizeAttendance, complianceChecks, buildSchoolCalendar } = require("./setup");
+
+const SOURCES = {
+  sectors: [{ Sector: "Math", Boss: "Algebra", Minion: "Fractions", Subject: "Math" }],
+  quests: [
+    { "Quest ID": "q1", Sector: "Math", Boss: "Algebra", Minion: "Fractions", "Date Completed": "2026-09-02 | 10:00", "Time Spent": "45" },
+    { "Quest ID": "q2", Sector: "Reading", Boss: "Novels", Minion: "Hatchet | Gary Paulsen", Subject: "English", Recurring: "X", "Time Spent": "999" },
+    { "Quest ID": "q3", Sector: "Science", Boss: "Cells", Minion: "Mitosis" },
+  ],
+  attempts: [
+    { "Quest ID": "q3", Attempt: "2", "Date Submitted": "2026-09-08", "Time Spent": "15" },
+    { "Quest ID": "q3", Attempt: "1", "Date Submitted": "2026-09-05", "Time Spent": "30" },
+  ],
+  logs: [{ "Quest ID": "q2", Date: "2026-09-03", "Time Spent": "30", Chapter: "1" }],
+  schedule: [
+    { "Quest ID": "q2", Chapter: "1", "Scheduled Date": "2026-09-03", Completed: "X", Time: "25" },
+    { "Quest ID": "q2", Chapter: "2", "Scheduled Date": "2026-09-04", Completed: "X", Time: "20" },
+    { "Quest ID": "q2", Chapter: "3", "Scheduled Date": "2026-09-07", Completed: "", Time: "20" },
+  ],
+  manual: [
+    { "Entry ID": "a1", Date: "2026-09-02", Subject: "Math", Minutes: "60", Note: "Workbook" },
+    { "Entry ID": "a2", Date: "2026-10-01", Subject: "Art", Minutes: "90" },
+  ],
+};
+const CAL = buildSchoolCalendar([{ Type: "Term", Start: "2026-09-01", End: "2026-12-18" }, { Type: "Holiday", Start: "2026-09-07" }]);
+
+test("every source becomes a dated record with its subject", () => {
+  assert.deepStrictEqual(attendanceRecords(SOURCES).map((r) => [r.date, r.subject, r.minutes, r.source]), [
+    ["2026-09-02", "Math", 45, "Quest"],
+    ["2026-09-02", "Math", 60, "Manual"],
+    ["2026-09-03", "English", 30, "Reading log"],
+    ["2026-09-04", "English", 20, "Chapter"],
+    ["2026-09-05", "Science", 30, "Quest"],
+    ["2026-09-08", "Science", 15, "Quest"],
+    ["2026-10-01", "Art", 90, "Manual"],
+  ]);
+});
+
+test("hours add up per subject within the reporting period", () => {
+  const summary = summarizeAttendance(attendanceRecords(SOURCES), CAL, "2026-09-01", "2026-09-30");
+  assert.deepStrictEqual(summary.subjects, [
+    { subject: "English", minutes: 50, days: 2 },
+    { subject: "Math", minutes: 105, days: 1 },
+    { subject: "Science", minutes: 45, days: 2 },
+  ]);
+  assert.deepStrictEqual([summary.attendedDays, summary.totalMinutes, summary.schoolDays], [5, 200, 21]);
+});
+
+test("compliance targets are checked per subject and for the whole program", () => {
+  const summary = summarizeAttendance(attendanceRecords(SOURCES), CAL, "2026-09-01", "2026-09-30");
+  const checks = complianceChecks(summary, [
+    { subject: "math", days: null, hours: 2 },
+    { subject: "Science", days: 2, hours: null },
+    { subject: "Art", days: null, hours: 1 },
+    { subject: "", days: 5, hours: 3 },
+  ]);
+  assert.deepStrictEqual(checks.map((c) => [c.subject, c.kind, c.actual, c.met]), [
+    ["math", "hours", 1.75, false],
+    ["Science", "days", 2, true],
+    ["Art", "hours", 0, false],
+    ["", "days", 5, true],
+    ["", "hours", 200 / 60, true],
+  ]);
+});
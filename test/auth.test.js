@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const setup = require("./setup");
+const { getSheets, readTable, startServer, browser } = setup;
+
+const TEACHER = "teacher@example.com";
+const STUDENT = "student@example.com";
+
+let server;
+test.before(async () => { server = await startServer(); });
+test.after(() => server.close());
+
+async function userEmails() {
+  const { rows } = await readTable(await getSheets(), "Users");
+  return rows.map((u) => u["Email"]);
+}
+
+const logIn = (email) => setup.logIn(server.url, email);
+
+test("first-run setup: add-user is open while Users is empty and logs the new user in", async () => {
+  const b = browser(server.url);
+  const res = await b.post("/login/add-user", { name: "Teach", email: TEACHER, role: "teacher" });
+  assert.strictEqual(res.status, 302);
+  assert.strictEqual(res.location, "/");
+  assert.ok(b.cookies.sid, "session cookie set");
+  assert.deepStrictEqual(await userEmails(), [TEACHER]);
+  assert.match((await b.get("/login")).text, /ADD A USER/);
+});
+
+test("after setup, add-user refuses anonymous requests", async () => {
+  const res = await browser(server.url).post("/login/add-user", { name: "Mallory", email: "m@example.com", role: "teacher" });
+  assert.strictEqual(res.status, 403);
+  assert.deepStrictEqual(await userEmails(), [TEACHER]);
+});
+
+test("teachers add users; unknown roles are rejected", async () => {
+  const b = await logIn(TEACHER);
+  const bad = await b.post("/login/add-user", { name: "X", email: "x@example.com", role: "admin" });
+  assert.strictEqual(bad.status, 400);
+  const res = await b.post("/login/add-user", { name: "Stu", email: STUDENT, role: "student" });
+  assert.strictEqual(res.location, "/login?added=1");
+  assert.deepStrictEqual(await userEmails(), [TEACHER, STUDENT]);
+});
+
+test("students cannot add users", async () => {
+  const b = await logIn(STUDENT);
+  const res = await b.post("/login/add-user", { name: "Pal", email: "pal@example.com", role: "teacher" });
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual((await userEmails()).length, 2);
+});
+
+test("logout revokes the session server-side", async () => {
+  const b = await logIn(TEACHER);
+  const sid = b.cookies.sid;
+  await b.get("/logout");
+  b.cookies.sid = sid; // replay the old cookie
+  const res = await b.get("/");
+  assert.strictEqual(res.status, 302);
+  assert.match(res.location, /^\/login/);
+});
+
+test("a tampered session cookie is ignored", async () => {
+  const b = await logIn(TEACHER);
+  b.cookies.sid = b.cookies.sid.replace(/.$/, (c) => (c === "A" ? "B" : "A"));
+  const res = await b.get("/");
+  assert.strictEqual(res.status, 302);
+  assert.match(res.location, /^\/login/);
+});
+
+// Last: it starts the resend throttle for TEACHER, which logIn() would trip over
+test("the verify page hides the code unless SHOW_LOGIN_CODES is set", async () => {
+  const res = await browser(server.url).post("/login", { email: TEACHER });
+  assert.strictEqual(res.status, 200);
+  assert.doesNotMatch(res.text, /class="test-code"/);
+  assert.match(res.text, /could not be emailed/);
+});
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildSchoolCalendar, calendarDay, calendarRange, addSchoolDays } = require("./setup");
+
+const CAL = buildSchoolCalendar([
+  { Type: "Term", Start: "2026-09-01", End: "2026-12-18", Label: "Fall" },
+  { Type: "holiday", Start: "2026-09-07", End: "", Label: "Labor Day" },
+  { Type: "Break", Start: "2026-11-23", End: "2026-11-27", Label: "Thanksgiving" },
+  { Type: "Half Day", Start: "2026-10-09", End: "", Label: "Conferences" },
+  { Type: "Party", Start: "2026-10-01", End: "", Label: "ignored" },
+  { Type: "Holiday", Start: "2026-10-20", End: "2026-10-19", Label: "ends before it starts" },
+]);
+const instructionalDays = (cal, from, to) => calendarRange(cal, from, to).reduce((sum, d) => sum + d.weight, 0);
+
+test("rows with unknown types or bad dates are ignored", () => {
+  assert.deepStrictEqual(CAL.entries.map((e) => e.label), ["Fall", "Labor Day", "Conferences", "Thanksgiving"]);
+});
+
+test("instructional days skip weekends, holidays and days out of term", () => {
+  assert.strictEqual(instructionalDays(CAL, "2026-09-01", "2026-09-30"), 21);
+  assert.strictEqual(instructionalDays(CAL, "2026-08-24", "2026-09-04"), 4);
+  assert.strictEqual(calendarDay(CAL, "2026-09-07").reason, "Labor Day");
+  assert.strictEqual(calendarDay(CAL, "2026-08-31").reason, "Out of term");
+});
+
+test("a half day counts as half an instructional day", () => {
+  const day = calendarDay(CAL, "2026-10-09");
+  assert.deepStrictEqual([day.instructional, day.halfDay, day.weight, day.reason], [true, true, 0.5, "Conferences"]);
+  assert.strictEqual(instructionalDays(CAL, "2026-10-01", "2026-10-31"), 21.5);
+});
+
+test("a break closes every day it spans", () => {
+  assert.strictEqual(instructionalDays(CAL, "2026-11-16", "2026-11-29"), 5);
+  assert.strictEqual(addSchoolDays(CAL, "2026-11-20", 1), "2026-11-30");
+});
+
+test("with no terms every weekday outside a holiday is instructional", () => {
+  const cal = buildSchoolCalendar([{ Type: "Holiday", Start: "2026-07-03", Label: "Observed" }]);
+  assert.strictEqual(instructionalDays(cal, "2026-06-29", "2026-07-05"), 4);
+});
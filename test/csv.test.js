@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toCsv } = require("./setup");
+
+test("toCsv quotes commas, quotes and newlines", () => {
+  assert.strictEqual(toCsv([["a", "b,c"], ['say "hi"', "two\nlines"], [null, undefined]]),
+    'a,"b,c"\r\n"say ""hi""","two\nlines"\r\n,\r\n');
+});
+
+test("toCsv defuses cells a spreadsheet would run as formulas", () => {
+  const row = ["=HYPERLINK(\"http://evil\")", "+SUM(A1)", "-2+3", "@SUM(A1)", "\tx", "\rx", "a=b", "2026-09-01"];
+  assert.strictEqual(toCsv([row]), `"'=HYPERLINK(""http://evil"")",'+SUM(A1),'-2+3,'@SUM(A1),'\tx,"'\rx",a=b,2026-09-01\r\n`);
+});
+
+test("toCsv leaves plain numbers alone, even when read back as text", () => {
+  assert.strictEqual(toCsv([[-5, 1.5, "-5", "-0.25", "+15551234", "-1e3", "+1 555 1234"]]), "-5,1.5,-5,-0.25,+15551234,'-1e3,'+1 555 1234\r\n");
+});
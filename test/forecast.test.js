@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildForecasts } = require("./setup");
+
+const TODAY = "2026-10-18";
+const minion = (Sector, Boss, Minion, completed = "", extra = {}) =>
+  ({ Sector, Boss, Minion, Status: completed ? "Enslaved" : "Engaged", "Date Quest Completed": completed, "Survival Mode Required": "", ...extra });
+
+const SECTORS = [
+  minion("Math", "Algebra", "A1", "2026-10-01"),
+  minion("Math", "Algebra", "A2", "2026-10-10"),
+  minion("Math", "Algebra", "A3"),
+  minion("Math", "Algebra", "A4"),
+  minion("Math", "Algebra", "A5"),
+  minion("Math", "Algebra", "A6"),
+  minion("Math", "Geometry", "G1", "2026-01-05", { "Survival Mode Required": "X" }),
+  minion("Math", "Geometry", "G2"),
+  minion("Art", "Color", "C1", "2026-09-01"),
+  minion("Art", "Color", "C2", "2026-09-12"),
+  minion("Art", "Drawing", "D1", "2026-10-17"),
+  minion("Art", "Drawing", "D2"),
+];
+const TARGETS = [
+  { Sector: "Math", Boss: "Algebra", "Target Date": "2027-01-01" },
+  { Sector: "Math", Boss: "Geometry", "Target Date": "2026-12-01" },
+];
+const pick = (f, keys) => Object.fromEntries(keys.map((k) => [k, f[k]]));
+
+test("a boss's velocity is its enslaved minions over the last four weeks", () => {
+  const algebra = buildForecasts(SECTORS, TARGETS, TODAY).bosses.find((b) => b.boss === "Algebra");
+  assert.deepStrictEqual(pick(algebra, ["total", "done", "remaining", "recent", "perWeek", "eta", "status"]),
+    { total: 6, done: 2, remaining: 4, recent: 2, perWeek: 0.5, eta: "2026-12-13", status: "on-track" });
+});
+
+test("a boss with a target and no recent pace is behind and says what pace it needs", () => {
+  const geometry = buildForecasts(SECTORS, TARGETS, TODAY).bosses.find((b) => b.boss === "Geometry");
+  assert.deepStrictEqual(pick(geometry, ["recent", "eta", "target", "status", "neededPerWeek"]),
+    { recent: 0, eta: null, target: "2026-12-01", status: "behind", neededPerWeek: 7 / 44 });
+});
+
+test("an ETA after the target is flagged behind", () => {
+  const late = [{ Sector: "Math", Boss: "Algebra", "Target Date": "2026-12-01" }];
+  assert.strictEqual(buildForecasts(SECTORS, late, TODAY).bosses.find((b) => b.boss === "Algebra").status, "behind");
+});
+
+test("finished and untargeted bosses are done and forecast", () => {
+  const { bosses } = buildForecasts(SECTORS, TARGETS, TODAY);
+  assert.deepStrictEqual(bosses.filter((b) => b.sector === "Art").map((b) => [b.boss, b.status, b.eta]),
+    [["Color", "done", "2026-09-12"], ["Drawing", "forecast", "2026-11-15"]]);
+});
+
+test("sectors take their latest boss target and survival covers the guardian bosses", () => {
+  const { sectors, survival } = buildForecasts(SECTORS, TARGETS, TODAY);
+  assert.deepStrictEqual(sectors.map((s) => [s.sector, s.target, s.eta, s.status]),
+    [["Art", "", "2026-11-15", "forecast"], ["Math", "2027-01-01", "2026-12-27", "on-track"]]);
+  assert.deepStrictEqual(pick(survival, ["bosses", "total", "target", "status"]), { bosses: 1, total: 2, target: "2026-12-01", status: "behind" });
+});
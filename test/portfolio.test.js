@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { getSheets, appendRows, startServer, logIn } = require("./setup");
+
+const PHOTO = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+
+// ZIP bytes -> { name: Buffer }, read from the central directory
+function unzip(buf) {
+  const files = {};
+  let p = buf.readUInt32LE(buf.length - 22 + 16);
+  for (let n = buf.readUInt16LE(buf.length - 22 + 10); n > 0; n--) {
+    assert.strictEqual(buf.readUInt32LE(p), 0x02014b50);
+    const method = buf.readUInt16LE(p + 10), size = buf.readUInt32LE(p + 20), nameLen = buf.readUInt16LE(p + 28), local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const body = buf.subarray(start, start + size);
+    files[name] = method === 8 ? zlib.inflateRawSync(body) : body;
+    p += 46 + nameLen;
+  }
+  return files;
+}
+
+test.before(async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Users", [{ Email: "t@example.com", Name: "Teach", Role: "Teacher" }]);
+  await appendRows(sheets, "Sectors", [{ Sector: "Math", Subject: "Math", Boss: "Algebra", Minion: "Fractions", Status: "Enslaved" }]);
+  await appendRows(sheets, "Quests", [
+    { "Quest ID": "q1", Sector: "Math", Boss: "Algebra", Minion: "Fractions", Status: "Approved", "Date Completed": "2026-09-09", "Date Resolved": "2026-09-10", "Time Spent": "40", Reflection: "Halves finally clicked.", Feedback: "Nice work" },
+    { "Quest ID": "q2", Sector: "Math", Boss: "Algebra", Minion: "Decimals", Status: "Approved", "Date Completed": "2026-11-01", "Date Resolved": "2026-11-02" },
+  ]);
+  await appendRows(sheets, "Artifacts", [
+    { "Artifact ID": "A1", "Quest ID": "q1", File: "q1-photo.png", "Original Name": "my photo.png", Kind: "image" },
+    { "Artifact ID": "A2", "Quest ID": "q1", File: "q1-gone.pdf", "Original Name": "notes.pdf", Kind: "file" },
+  ]);
+  await appendRows(sheets, "Courses", [{ "School Year": "2026-2027", Course: "Algebra I", Subject: "Math", Credits: "1" }]);
+  const dir = path.join(process.env.ARTIFACTS_PATH, "local");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "q1-photo.png"), PHOTO);
+});
+
+test("the portfolio ZIP bundles the index, attendance, transcript and uploads for the period", async () => {
+  const server = await startServer();
+  try {
+    const b = await logIn(server.url, "t@example.com");
+    const cookie = Object.entries(b.cookies).map(([k, v]) => `${k}=${v}`).join("; ");
+    const res = await fetch(`${server.url}/admin/portfolio/export.zip?from=2026-09-01&to=2026-09-30`, { headers: { cookie } });
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /portfolio-.*-2026-09-01-to-2026-09-30\.zip/);
+    const files = unzip(Buffer.from(await res.arrayBuffer()));
+
+    assert.deepStrictEqual(Object.keys(files), ["index.html", "attendance.csv", "transcript.pdf", "artifacts/q1/A1-my_photo.png"]);
+    assert.deepStrictEqual(files["artifacts/q1/A1-my_photo.png"], PHOTO);
+    assert.strictEqual(files["transcript.pdf"].toString("latin1", 0, 5), "%PDF-");
+    assert.strictEqual(files["attendance.csv"].toString(), "Date,Subject,Minutes,Source,Detail\r\n2026-09-09,Math,40,Quest,Algebra > Fractions\r\n");
+
+    const index = files["index.html"].toString();
+    assert.match(index, /Halves finally clicked\./);
+    assert.match(index, /href="artifacts\/q1\/A1-my_photo\.png"/);
+    assert.match(index, /notes\.pdf \(file missing\)/);
+    assert.doesNotMatch(index, /Decimals/);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildPrereqGraph, buildPrereqContext, replacePrereqName } = require("./setup");
+
+const RANKS = { ranks: [{ name: "Bronze I" }, { name: "Gold I" }] };
+
+// rows: [sector, boss, minion, status, prerequisite]
+function graphOf(rows, renames = []) {
+  const sectors = rows.map(([Sector, Boss, Minion, Status]) => ({ Sector, Subject: Sector, Boss, Minion, Status }));
+  const ctx = buildPrereqContext(sectors, [{ "CORE STATS": "INTELLIGENCE", "VALUE (0-100)": "5", "Current Level": "Bronze I" }], RANKS);
+  const prereqs = rows
+    .filter((r) => r[3] === "Locked" && r[4])
+    .map((r) => ({ text: r[4], minion: ctx.minions.find((m) => m.boss === r[1] && m.minion === r[2]) }));
+  return buildPrereqGraph(ctx, prereqs, renames);
+}
+
+const label = (graph, key) => graph.nodes.find((n) => n.id === key).label;
+const unreachable = (graph) => graph.unreachable.map((u) => [u.minion.minion, u.reason]);
+
+test("edges run from what a minion waits on to the minion", () => {
+  const graph = graphOf([
+    ["Math", "Add", "Sums", "Enslaved"],
+    ["Math", "Add", "Carry", "Engaged"],
+    ["Math", "Multiply", "Times", "Locked", "Minion:Add>Sums AND NOT Boss:Add"],
+  ]);
+  const times = graph.nodes.find((n) => n.label === "Times");
+  const into = graph.edges.filter((e) => e.to === times.id);
+  assert.deepStrictEqual(into.map((e) => [label(graph, e.from), e.negated]), [["Sums", false], ["Add", true]]);
+  assert.strictEqual(graph.nodes.find((n) => n.label === "Add").type, "group");
+  assert.ok(graph.depth[times.id] > graph.depth[into[0].from]);
+  assert.deepStrictEqual(graph.cycles, []);
+  assert.deepStrictEqual(graph.unreachable, []);
+});
+
+test("Date and Stat terms annotate the node instead of adding edges", () => {
+  const graph = graphOf([["Art", "Color", "Mix", "Locked", "Date:2030-01-01 AND Stat:Intel >= Gold I"]]);
+  assert.strictEqual(graph.edges.length, 0);
+  assert.strictEqual(graph.nodes[0].extra, "Date:2030-01-01, Stat:Intel >= Gold I");
+  assert.deepStrictEqual(graph.unreachable, []);
+});
+
+test("cycles are found, including a minion that requires itself", () => {
+  const graph = graphOf([
+    ["Sci", "Lab", "A", "Locked", "Minion:Lab>B"],
+    ["Sci", "Lab", "B", "Locked", "Minion:Lab>C"],
+    ["Sci", "Lab", "C", "Locked", "Minion:Lab>A"],
+    ["Sci", "Lab", "Self", "Locked", "Minion:Lab>Self"],
+    ["Sci", "Lab", "After", "Locked", "Minion:Lab>A"],
+  ]);
+  const cycles = graph.cycles.map((c) => c.map((k) => label(graph, k)).sort());
+  assert.deepStrictEqual(cycles.sort(), [["A", "B", "C"], ["Self"]]);
+  assert.deepStrictEqual(unreachable(graph).sort(), [
+    ["A", "cycle"], ["After", "waits on minions that can never unlock"], ["B", "cycle"], ["C", "cycle"], ["Self", "cycle"],
+  ]);
+});
+
+test("an OR with a way out of the cycle is still reachable", () => {
+  const graph = graphOf([
+    ["Sci", "Lab", "Open", "Engaged"],
+    ["Sci", "Lab", "A", "Locked", "Minion:Lab>B OR Minion:Lab>Open"],
+    ["Sci", "Lab", "B", "Locked", "Minion:Lab>A"],
+  ]);
+  assert.strictEqual(graph.cycles.length, 1);
+  assert.deepStrictEqual(graph.unreachable, []);
+});
+
+test("missing names are dangling, with a rename-log repair or a close guess", () => {
+  const renames = [{ Kind: "Boss", "Old Name": "Fractionz", "New Name": "Fractions" }];
+  const graph = graphOf([
+    ["Math", "Fractions", "Halves", "Engaged"],
+    ["Math", "Decimals", "Tenths", "Locked", "Boss:Fractionz"],
+    ["Math", "Decimals", "Hundredths", "Locked", "Minion:Fractions>Halfs"],
+    ["Math", "Decimals", "Percent", "Locked", "Sector:Nowhere"],
+  ], renames);
+  const dangling = Object.fromEntries(graph.dangling.map((d) => [d.name, [d.repair, d.guess, d.usedBy.map((m) => m.minion)]]));
+  assert.deepStrictEqual(dangling, {
+    Fractionz: ["Fractions", null, ["Tenths"]],
+    "Fractions>Halfs": [null, "Fractions>Halves", ["Hundredths"]],
+    Nowhere: [null, null, ["Percent"]],
+  });
+  assert.ok(graph.nodes.some((n) => n.type === "missing" && n.label === "Nowhere"));
+  assert.deepStrictEqual(unreachable(graph).map((u) => u[1]), ["missing reference", "missing reference", "missing reference"]);
+});
+
+test("unparseable expressions are errors; Locked minions without one are manual", () => {
+  const graph = graphOf([
+    ["Math", "Add", "Bad", "Locked", "Boss:Add AND"],
+    ["Math", "Add", "Hand", "Locked"],
+  ]);
+  assert.deepStrictEqual(graph.errors.map((e) => e.minion.minion), ["Bad"]);
+  assert.deepStrictEqual(unreachable(graph), [["Bad", "expression error"]]);
+  assert.deepStrictEqual([...graph.manual], ["m:Math|Add|Hand"]);
+});
+
+test("replacePrereqName rewrites only matching terms of that kind", () => {
+  assert.strictEqual(replacePrereqName("Boss:Fractionz AND Sector:Fractionz", "Boss", "fractionz", "Fractions"), "Boss:Fractions AND Sector:Fractionz");
+  assert.strictEqual(replacePrereqName("Minion:Add>Sums", "Boss", "Add", "Plus"), null);
+});
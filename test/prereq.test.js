@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const setup = require("./setup");
+const { parsePrereq, evalPrereq, checkPrereq, buildPrereqContext, PrereqSyntaxError } = setup;
+
+const SECTORS = [
+  { Sector: "Math", Subject: "Mathematics", Boss: "Fractions", Minion: "Halves", Status: "Enslaved" },
+  { Sector: "Math", Subject: "Mathematics", Boss: "Fractions", Minion: "Thirds", Status: "Engaged" },
+  { Sector: "Math", Subject: "Mathematics", Boss: "Decimals", Minion: "Tenths", Status: "Enslaved" },
+  { Sector: "Math", Subject: "Mathematics", Boss: "Decimals", Minion: "Hundredths", Status: "Enslaved" },
+  { Sector: "Reading", Subject: "English", Boss: "Novels", Minion: "Hatchet", Status: "Locked" },
+];
+const COMMAND_CENTER = [
+  { "CORE STATS": "INTELLIGENCE", "VALUE (0-100)": "42", "Current Level": "Silver II" },
+  { "CORE STATS": "STAMINA", "VALUE (0-100)": "10", "Current Level": "Bronze I" },
+];
+const RANKS = { ranks: ["Bronze I", "Bronze II", "Silver I", "Silver II", "Gold I"].map((name) => ({ name })) };
+
+function ctx(today = "2026-03-02") {
+  return { ...buildPrereqContext(SECTORS, COMMAND_CENTER, RANKS), today };
+}
+
+const met = (text, c = ctx()) => evalPrereq(parsePrereq(text), c);
+
+test("parsePrereq builds AND/OR/NOT trees with the usual precedence", () => {
+  assert.strictEqual(parsePrereq(""), null);
+  assert.strictEqual(parsePrereq("   "), null);
+  const tree = parsePrereq("Boss:Fractions OR Boss:Decimals AND NOT Sector:Reading");
+  assert.strictEqual(tree.type, "or");
+  assert.strictEqual(tree.items[0].name, "Fractions");
+  assert.strictEqual(tree.items[1].type, "and");
+  assert.strictEqual(tree.items[1].items[1].type, "not");
+  assert.strictEqual(parsePrereq("(Boss:A OR Boss:B) AND Boss:C").items[0].type, "or");
+});
+
+test("parsePrereq reads names, quotes, percentages and legacy ; lists", () => {
+  const term = parsePrereq("Sector:Math >= 50%");
+  assert.deepStrictEqual([term.kind, term.name, term.op, term.pct], ["Sector", "Math", ">=", 50]);
+  assert.strictEqual(parsePrereq("Minion:Fractions>Halves").name, "Fractions>Halves");
+  assert.strictEqual(parsePrereq('Boss:"Fish AND Chips"').name, "Fish AND Chips");
+  assert.strictEqual(parsePrereq("Boss:Space Exploration").name, "Space Exploration");
+  const legacy = parsePrereq("Boss:Fractions;Minion:Decimals>Tenths;");
+  assert.deepStrictEqual(legacy.items.map((t) => t.kind), ["Boss", "Minion"]);
+  assert.strictEqual(parsePrereq("subject:English").kind, "Subject");
+});
+
+test("parsePrereq reports syntax errors with a position", () => {
+  const cases = [
+    ["Boss:A AND", /ends early/],
+    ["(Boss:A", /Missing "\)"/],
+    ["Boss:A Boss:B", /join conditions with AND or OR/],
+    ["Chapter:3", /Expected a condition/],
+    ["Date:03/01/2026", /YYYY-MM-DD/],
+    ["Stat:Intel", /needs a comparison/],
+    ["Sector:Math >= 150%", /percentage/],
+    ['Boss:"Unclosed', /Unclosed quote/],
+    ["Boss:", /needs a name/],
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parsePrereq(text), (err) => {
+      assert.ok(err instanceof PrereqSyntaxError, text);
+      assert.match(err.message, message, text);
+      assert.strictEqual(typeof err.pos, "number", text);
+      return true;
+    });
+  }
+  assert.strictEqual(checkPrereq("Boss:A Boss:B", null).pos, 7);
+});
+
+test("evalPrereq: Boss and Minion terms follow Enslaved minions", () => {
+  assert.strictEqual(met("Boss:Decimals"), true);
+  assert.strictEqual(met("Boss:Fractions"), false);
+  assert.strictEqual(met("Boss:fractions >= 50%"), true);
+  assert.strictEqual(met("Minion:Fractions>Halves"), true);
+  assert.strictEqual(met("Minion:Thirds"), false);
+  assert.strictEqual(met("Boss:Nowhere"), false);
+});
+
+test("evalPrereq: Sector and Subject percentages", () => {
+  assert.strictEqual(met("Sector:Math >= 75%"), true);
+  assert.strictEqual(met("Sector:Math > 75%"), false);
+  assert.strictEqual(met("Subject:Mathematics = 75"), true);
+  assert.strictEqual(met("Subject:English < 10%"), true);
+});
+
+test("evalPrereq: Stat by rank name or value, Date by today", () => {
+  assert.strictEqual(met("Stat:Intel >= Silver I"), true);
+  assert.strictEqual(met("Stat:Intelligence >= Gold I"), false);
+  assert.strictEqual(met("Stat:Stamina < 20"), true);
+  assert.strictEqual(met("Stat:Charisma >= 1"), false);
+  assert.strictEqual(met("Date:2026-03-02"), true);
+  assert.strictEqual(met("Date:2026-03-03"), false);
+  assert.strictEqual(met("Date:2026-03-03", ctx("2026-03-03")), true);
+});
+
+test("evalPrereq combines terms", () => {
+  assert.strictEqual(met("Boss:Fractions OR Boss:Decimals"), true);
+  assert.strictEqual(met("Boss:Fractions AND Boss:Decimals"), false);
+  assert.strictEqual(met("NOT Boss:Fractions AND (Date:2027-01-01 OR Stat:Intel >= 40)"), true);
+});
+
+test("checkPrereq flags unknown names only when given a context", () => {
+  assert.strictEqual(checkPrereq("Boss:Nowhere", null).error, null);
+  assert.match(checkPrereq("Boss:Nowhere OR Stat:Intel >= Platinum", ctx()).error, /Unknown boss "Nowhere"; Unknown rank "Platinum"/);
+  assert.strictEqual(checkPrereq("Minion:Hatchet AND Date:2026-01-01", ctx()).error, null);
+});
+
+test("a saved lock shows on the graph right away, not after the cache expires", async () => {
+  const { getSheets, appendRows, startServer, logIn } = setup;
+  const sheets = await getSheets();
+  await appendRows(sheets, "Users", [{ Email: "t@example.com", Name: "Teach", Role: "Teacher" }]);
+  await appendRows(sheets, "Sectors", SECTORS.map((r) => ({ ...r })));
+  const server = await startServer();
+  try {
+    const b = await logIn(server.url, "t@example.com");
+    // Validating the lock loads Sectors into the sheetData cache the graph reads
+    const lock = { sector: "Reading", boss: "Novels", minion: "Hatchet", status: "Locked", prerequisite: "Minion:Novels>Hatchet" };
+    assert.strictEqual((await b.post("/admin/locks/update", lock)).location, "/admin/locks");
+    assert.match((await b.get("/admin/locks/graph")).text, /requires itself/);
+
+    await b.post("/admin/locks/bulk-lock", { sector: "Math", boss: "Fractions", prerequisite: "Minion:Fractions>Thirds" });
+    assert.match((await b.get("/admin/locks/graph")).text, /Fractions &gt; Thirds[^<]*\(requires itself\)/);
+  } finally {
+    await server.close();
+  }
+});
+
+test("the hourly job unlocks Date: prerequisites that have come due", async () => {
+  const { getSheets, appendRows, readTable, checkAllPrerequisites } = setup;
+  const sheets = await getSheets();
+  await appendRows(sheets, "Sectors", [
+    { Sector: "Art", Boss: "Color", Minion: "Past", Status: "Locked", "Locked for what?": "Date:2020-01-01" },
+    { Sector: "Art", Boss: "Color", Minion: "Future", Status: "Locked", "Locked for what?": "Date:2099-01-01" },
+  ]);
+  await checkAllPrerequisites();
+  const rows = (await readTable(sheets, "Sectors")).rows.filter((r) => r["Boss"] === "Color");
+  assert.deepStrictEqual(rows.map((r) => [r["Minion"], r["Status"], r["Locked for what?"]]), [
+    ["Past", "Engaged", ""],
+    ["Future", "Locked", "Date:2099-01-01"],
+  ]);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const setup = require("./setup");
+const {
+  getSheets, readTable, appendRows, startServer,
+  QUEST_TRANSITIONS, QuestTransitionError, startQuests, transitionQuest, transitionQuests,
+} = setup;
+
+const TEACHER = { name: "Teach", role: "teacher" };
+const STUDENT = { name: "Stu", role: "student" };
+const STATUSES = ["", "Active", "Submitted", "Approved", "Rejected", "Abandoned"];
+
+test.before(async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Sectors", ["Add", "Subtract", "Multiply", "Divide", "Count", "Api"].map((minion) => ({
+    Sector: "Math", Subject: "Math", Boss: "Arithmetic", Minion: minion, Task: `Practice ${minion}`, Status: "Engaged", "Impact(1-3)": "1",
+  })));
+});
+
+async function quests() {
+  return (await readTable(await getSheets(), "Quests")).rows;
+}
+
+async function questFor(minion) {
+  const own = (await quests()).filter((q) => q["Minion"] === minion);
+  assert.strictEqual(own.length, 1, `one quest row for ${minion}`);
+  return own[0];
+}
+
+const item = (minion) => ({ sector: "Math", boss: "Arithmetic", minion });
+
+test("QUEST_TRANSITIONS only moves between known statuses", () => {
+  for (const [action, def] of Object.entries(QUEST_TRANSITIONS)) {
+    assert.ok(STATUSES.includes(def.to), `${action} to`);
+    for (const from of def.from) assert.ok(STATUSES.includes(from), `${action} from ${from}`);
+    assert.strictEqual(typeof def.apply, "function", `${action} apply`);
+    assert.ok(def.roles.length > 0 && def.roles.every((r) => r === "teacher" || r === "student"), `${action} roles`);
+  }
+  // Nothing leaves Abandoned except start, and only teachers review
+  const fromAbandoned = Object.keys(QUEST_TRANSITIONS).filter((a) => QUEST_TRANSITIONS[a].from.includes("Abandoned"));
+  assert.deepStrictEqual(fromAbandoned, ["start"]);
+  for (const action of ["approve", "reject", "unapprove", "reopen", "enslave", "abandon"]) {
+    assert.deepStrictEqual(QUEST_TRANSITIONS[action].roles, ["teacher"], action);
+  }
+});
+
+test("startQuests adds an Active quest with the minion's task and logs it", async () => {
+  const sheets = await getSheets();
+  const { started, questIds, errors } = await startQuests(sheets, [item("Add")], { actor: STUDENT, dueDate: "2026-04-01" });
+  assert.strictEqual(started, 1);
+  assert.deepStrictEqual(errors, []);
+  const quest = await questFor("Add");
+  assert.strictEqual(quest["Quest ID"], questIds[0]);
+  assert.strictEqual(quest["Status"], "Active");
+  assert.strictEqual(quest["Suggested By AI"], "Practice Add");
+  assert.strictEqual(quest["Due Date"], "2026-04-01");
+  const history = (await readTable(sheets, "Quest_History")).rows.filter((h) => h["Quest ID"] === questIds[0]);
+  assert.deepStrictEqual(history.map((h) => [h["Action"], h["From"], h["To"]]), [["start", "", "Active"]]);
+});
+
+test("starting a minion that has a live quest is refused with 409", async () => {
+  const sheets = await getSheets();
+  await assert.rejects(startQuests(sheets, [item("Add")], { actor: TEACHER }), (err) => {
+    assert.ok(err instanceof QuestTransitionError && err instanceof setup.HttpError);
+    assert.strictEqual(err.status, 409);
+    return true;
+  });
+  await questFor("Add"); // still exactly one row
+});
+
+test("a batch starts what it can and reports the rest", async () => {
+  const sheets = await getSheets();
+  const { started, errors } = await startQuests(sheets, [item("Add"), item("Subtract"), item("Subtract")], { actor: TEACHER });
+  assert.strictEqual(started, 1);
+  assert.deepStrictEqual(errors.map((e) => [e.minion, e.status]), [["Add", 409], ["Subtract", 409]]);
+  await questFor("Subtract");
+});
+
+test("an Abandoned quest is reactivated in place, not duplicated", async () => {
+  const sheets = await getSheets();
+  const { questIds: [id] } = await startQuests(sheets, [item("Multiply")], { actor: TEACHER });
+  await transitionQuest(sheets, id, "abandon", { actor: TEACHER });
+  assert.strictEqual((await questFor("Multiply"))["Status"], "Abandoned");
+
+  const { questIds } = await startQuests(sheets, [item("Multiply")], { actor: STUDENT });
+  assert.deepStrictEqual(questIds, [id]);
+  const quest = await questFor("Multiply");
+  assert.strictEqual(quest["Status"], "Active");
+  assert.strictEqual(quest["Date Completed"], "");
+});
+
+test("transitions enforce from-status and role", async () => {
+  const sheets = await getSheets();
+  const { questIds: [id] } = await startQuests(sheets, [item("Divide")], { actor: STUDENT });
+
+  await assert.rejects(transitionQuest(sheets, id, "approve", { actor: TEACHER }), { status: 409 });
+  await transitionQuest(sheets, id, "submit", { actor: STUDENT, proofLink: "https://example.com/p", reflection: "ok", timeSpent: 20 });
+  await assert.rejects(transitionQuest(sheets, id, "approve", { actor: STUDENT }), { status: 403 });
+  await assert.rejects(transitionQuest(sheets, id, "start", { actor: TEACHER }), { status: 400 });
+
+  await transitionQuest(sheets, id, "approve", { actor: TEACHER, feedback: "Nice" });
+  const quest = await questFor("Divide");
+  assert.strictEqual(quest["Status"], "Approved");
+  assert.strictEqual(quest["Feedback"], "Nice");
+
+  const { done, errors } = await transitionQuests(sheets, [id, "missing"], "reopen", { actor: TEACHER });
+  assert.deepStrictEqual(done.map((d) => [d.from, d.to]), [["Approved", "Active"]]);
+  assert.deepStrictEqual(errors.map((e) => e.status), [404]);
+});
+
+test("enslave only finishes recurring books", async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Sectors", [
+    { Sector: "Math", Subject: "Math", Boss: "Reading", Minion: "Math Stories", Status: "Engaged", "Impact(1-3)": "1", Recurring: "X" },
+  ]);
+  const { questIds: [book, plain] } = await startQuests(sheets, [
+    { sector: "Math", boss: "Reading", minion: "Math Stories" }, item("Count"),
+  ], { actor: TEACHER });
+
+  await assert.rejects(transitionQuest(sheets, plain, "enslave", { actor: TEACHER }), { status: 409, message: /approve the quest instead/ });
+  assert.strictEqual((await questFor("Count"))["Status"], "Active");
+  await transitionQuest(sheets, book, "enslave", { actor: TEACHER });
+  assert.strictEqual((await questFor("Math Stories"))["Status"], "Approved");
+});
+
+test("POST /api/v1/quests returns 409 for a minion that already has a quest", async () => {
+  const server = await startServer();
+  try {
+    await appendRows(await getSheets(), "Users", [{ Email: "t@example.com", Name: "Teach", Role: "Teacher" }]);
+    const b = await setup.logIn(server.url, "t@example.com");
+    const first = await b.post("/api/v1/quests", item("Api"));
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(JSON.parse(first.text).quests.length, 1);
+    const second = await b.post("/api/v1/quests", item("Api"));
+    assert.strictEqual(second.status, 409);
+    assert.match(JSON.parse(second.text).error, /already has a quest that is Active/);
+    await questFor("Api");
+    const id = JSON.parse(first.text).quests[0].id;
+    assert.strictEqual((await b.post(`/api/v1/quests/${id}/enslave`)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildRankConfig, rankRowsFromForm, parseTable } = require("./setup");
+
+const badges = (config) => Object.fromEntries(config.tiers.map((t) => [t.name, t.badge]));
+const rank = (Tier, Rank, status, confidence, extra = {}) => ({ Tier, Rank, "Status pts": String(status), "Confidence pts": String(confidence), ...extra });
+
+test("a Ranks tab without a Badge column keeps the preset badges", () => {
+  const config = buildRankConfig([rank("Bronze", "Bronze I", 0, 0), rank("Silver", "Silver I", 10, 5), rank("Mythic", "Mythic I", 90, 50)], []);
+  assert.strictEqual(config.source, "Ranks");
+  assert.deepStrictEqual(badges(config), { Bronze: false, Silver: true, Mythic: false });
+});
+
+test("Badge X and No override the preset either way", () => {
+  const config = buildRankConfig([
+    rank("Bronze", "Bronze I", 0, 0, { Badge: "X" }),
+    rank("Silver", "Silver I", 10, 5, { Badge: "No" }),
+    rank("Silver", "Silver II", 20, 10, { Badge: "X" }),
+  ], []);
+  assert.deepStrictEqual(badges(config), { Bronze: true, Silver: false });
+});
+
+test("an unticked badge survives a save and reload", () => {
+  const rows = rankRowsFromForm({
+    tierName: ["Silver", "Gold"], tierColor: ["", ""], tierAbbrev: ["", ""], tierBadge: ["1"],
+    rankName: ["Silver I", "Gold I"], rankTier: ["0", "1"], rankStatus: ["10", "20"], rankConfidence: ["5", "10"],
+  });
+  assert.deepStrictEqual(badges(buildRankConfig(parseTable(rows), [])), { Silver: false, Gold: true });
+});
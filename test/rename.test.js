@@ -0,0 +1,171 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getSheets, readTable, appendRows, HttpError, QuestTransitionError, planRename, applyRename, planRestructure, applyRestructure, buildForecasts,
+  fetchCalendar, fetchAttendanceSources, fetchComplianceTargets, attendanceRecords, summarizeAttendance, complianceChecks, loadTranscript, loadReportCardDraft } = require("./setup");
+
+const TEACHER = { name: "Teach", role: "teacher" };
+
+test.before(async () => {
+  const sheets = await getSheets();
+  const minion = (Sector, Boss, Minion, extra = {}) => ({ Sector, Subject: Sector, Boss, Minion, Status: "Engaged", "Impact(1-3)": "1", ...extra });
+  await appendRows(sheets, "Sectors", [
+    minion("Math", "Algebra", "Fractions"),
+    minion("Math", "Algebra", "Decimals"),
+    minion("Math", "Geometry", "Angles", { Status: "Locked", "Locked for what?": "Minion:Algebra>Fractions AND Boss:Algebra" }),
+    minion("Art", "Color", "Mix"),
+    minion("Art", "Drawing", "Lines"),
+  ]);
+  await appendRows(sheets, "Quests", [
+    { "Quest ID": "q1", Sector: "Math", Boss: "Algebra", Minion: "Fractions", Status: "Active", Subject: "Math" },
+    { "Quest ID": "q2", Sector: "Art", Boss: "Drawing", Minion: "Lines", Status: "Active", Subject: "Art" },
+    { "Quest ID": "q3", Sector: "Math", Boss: "Geometry", Minion: "Angles", Status: "Approved", "Date Resolved": "2026-03-01" },
+  ]);
+  await appendRows(sheets, "Rubrics", [
+    { Sector: "Math", Boss: "Algebra", Criterion: "Accuracy", "Max Points": "4" },
+    { Sector: "Art", Boss: "Drawing", Criterion: "Line quality", "Max Points": "3" },
+  ]);
+  await appendRows(sheets, "Badges", [
+    { "Badge ID": "boss:Math:Algebra", Category: "boss", Name: "ALGEBRA" },
+    { "Badge ID": "sector:Math", Category: "sector", Name: "MATH" },
+  ]);
+  await appendRows(sheets, "Definitions", [{ Sector: "Math" }]);
+  await appendRows(sheets, "Targets", [
+    { Sector: "Math", Boss: "Algebra", "Target Date": "2027-06-01" },
+    { Sector: "Math", Boss: "", "Target Date": "2027-09-01" },
+    { Sector: "Art", Boss: "Drawing", "Target Date": "2027-03-01" },
+  ]);
+  await appendRows(sheets, "Attendance", [
+    { "Entry ID": "a1", Date: "2026-09-01", Subject: "Math", Minutes: "90" },
+    { "Entry ID": "a2", Date: "2026-09-02", Subject: "math", Minutes: "60" },
+  ]);
+  await appendRows(sheets, "Compliance", [{ Subject: "Math", "Required Hours": "2" }]);
+  await appendRows(sheets, "Courses", [{ "School Year": "2025-2026", Course: "Algebra I", Subject: "math", Credits: "1" }]);
+  await appendRows(sheets, "Teacher_Notes", [{ Date: "2026-09-03", Author: "Teach", Subject: "math", Note: "Strong on fractions." }]);
+  await appendRows(sheets, "Report_Cards", [{ "Report ID": "r1", Title: "Summer", Subject: "Math", Narrative: "Saved earlier." }]);
+});
+
+const cells = (plan) => plan.changes.map((c) => [c.tab, c.column, c.from, c.to]);
+
+async function forecastTarget(sector, boss) {
+  const sheets = await getSheets();
+  const forecasts = buildForecasts((await readTable(sheets, "Sectors")).rows, (await readTable(sheets, "Targets")).rows);
+  return forecasts.bosses.find((b) => b.sector === sector && b.boss === boss).target;
+}
+
+test("a minion rename touches its Sectors and Quests rows and prerequisites", async () => {
+  const plan = await planRename(await getSheets(), { kind: "Minion", sector: "Math", boss: "Algebra", oldName: "Fractions", newName: "Ratios" });
+  assert.deepStrictEqual(cells(plan), [
+    ["Sectors", "Minion", "Fractions", "Ratios"],
+    ["Quests", "Minion", "Fractions", "Ratios"],
+    ["Sectors", "Locked for what?", "Minion:Algebra>Fractions AND Boss:Algebra", "Minion:Algebra>Ratios AND Boss:Algebra"],
+  ]);
+});
+
+test("a boss rename carries its rubric and badge", async () => {
+  const plan = await planRename(await getSheets(), { kind: "Boss", sector: "Math", oldName: "Algebra", newName: "Pre-Algebra" });
+  assert.deepStrictEqual(cells(plan), [
+    ["Sectors", "Boss", "Algebra", "Pre-Algebra"],
+    ["Sectors", "Boss", "Algebra", "Pre-Algebra"],
+    ["Quests", "Boss", "Algebra", "Pre-Algebra"],
+    ["Rubrics", "Boss", "Algebra", "Pre-Algebra"],
+    ["Badges", "Badge ID", "boss:Math:Algebra", "boss:Math:Pre-Algebra"],
+    ["Badges", "Name", "ALGEBRA", "PRE-ALGEBRA"],
+    ["Targets", "Boss", "Algebra", "Pre-Algebra"],
+    ["Sectors", "Locked for what?", "Minion:Algebra>Fractions AND Boss:Algebra", "Minion:Pre-Algebra>Fractions AND Boss:Pre-Algebra"],
+  ]);
+});
+
+test("a sector rename rewrites Definitions and every badge ID under it", async () => {
+  const plan = await planRename(await getSheets(), { kind: "Sector", oldName: "Math", newName: "Mathematics" });
+  const byTab = {};
+  for (const [tab] of cells(plan)) byTab[tab] = (byTab[tab] || 0) + 1;
+  assert.deepStrictEqual(byTab, { Sectors: 3, Quests: 2, Rubrics: 1, Definitions: 1, Badges: 2, Targets: 2 });
+  assert.deepStrictEqual(plan.changes.filter((c) => c.tab === "Badges").map((c) => c.to), ["boss:Mathematics:Algebra", "sector:Mathematics"]);
+});
+
+test("a subject rename leaves the sector alone", async () => {
+  const plan = await planRename(await getSheets(), { kind: "Subject", oldName: "Math", newName: "Maths" });
+  assert.deepStrictEqual([...new Set(plan.changes.map((c) => `${c.tab}.${c.column}`))],
+    ["Sectors.Subject", "Quests.Subject", "Attendance.Subject", "Compliance.Subject", "Courses.Subject", "Teacher_Notes.Subject"]);
+  assert.strictEqual(plan.changes.length, 9);
+});
+
+test("invalid, missing and taken names are refused", async () => {
+  const sheets = await getSheets();
+  await assert.rejects(planRename(sheets, { kind: "Quest", oldName: "a", newName: "b" }), (err) => {
+    assert.ok(err instanceof HttpError && !(err instanceof QuestTransitionError));
+    assert.strictEqual(err.status, 400);
+    return true;
+  });
+  await assert.rejects(planRename(sheets, { kind: "Boss", oldName: "Algebra", newName: "Other" }), /needs its sector/);
+  await assert.rejects(planRename(sheets, { kind: "Sector", oldName: "Math", newName: "Math" }), { status: 400 });
+  await assert.rejects(planRename(sheets, { kind: "Sector", oldName: "Math", newName: "A:B" }), { status: 400 });
+  await assert.rejects(planRename(sheets, { kind: "Boss", sector: "Math", oldName: "Calculus", newName: "Other" }), { status: 404 });
+  await assert.rejects(planRename(sheets, { kind: "Boss", sector: "Math", oldName: "Algebra", newName: "Geometry" }), { status: 409 });
+});
+
+test("splitting a boss copies its target date to the new boss", async () => {
+  const plan = await planRestructure(await getSheets(), { op: "split", boss: ["Math", "Algebra"], minions: ["Decimals"], name: "Numbers" });
+  const targets = plan.appends.find((a) => a.tab === "Targets");
+  assert.deepStrictEqual(targets.values, [["Math", "Numbers", "2027-06-01"]]);
+  assert.ok(plan.notes.some((n) => n.includes("target date (2027-06-01) is copied to Numbers")));
+});
+
+test("applyRename writes the plan and logs it to Renames", async () => {
+  const sheets = await getSheets();
+  const plan = await applyRename(sheets, { kind: "Minion", sector: "Art", boss: "Color", oldName: "Mix", newName: "Blend" }, TEACHER);
+  assert.strictEqual(plan.changes.length, 1);
+  const sectors = (await readTable(sheets, "Sectors")).rows;
+  assert.ok(sectors.some((r) => r["Boss"] === "Color" && r["Minion"] === "Blend"));
+  const log = (await readTable(sheets, "Renames")).rows.at(-1);
+  assert.deepStrictEqual([log["Kind"], log["Sector"], log["Boss"], log["Old Name"], log["New Name"], log["Actor"], log["Rows Updated"]],
+    ["Minion", "Art", "Color", "Mix", "Blend", "Teach", "1"]);
+  await assert.rejects(planRename(sheets, { kind: "Minion", sector: "Art", boss: "Color", oldName: "Mix", newName: "Other" }), { status: 404 });
+});
+
+test("merging a boss moves its minions, quests and rubric and logs a Boss rename", async () => {
+  const sheets = await getSheets();
+  const params = { op: "merge", from: ["Art", "Drawing"], into: ["Art", "Color"] };
+  const plan = await planRestructure(sheets, params);
+  assert.deepStrictEqual(cells(plan).filter(([, column]) => column === "Boss"), [
+    ["Sectors", "Boss", "Drawing", "Color"],
+    ["Quests", "Boss", "Drawing", "Color"],
+    ["Rubrics", "Boss", "Drawing", "Color"],
+    ["Targets", "Boss", "Drawing", "Color"],
+  ]);
+  await applyRestructure(sheets, params, TEACHER);
+  assert.strictEqual((await readTable(sheets, "Quests")).rows.find((q) => q["Quest ID"] === "q2")["Boss"], "Color");
+  assert.strictEqual(await forecastTarget("Art", "Color"), "2027-03-01");
+  const log = (await readTable(sheets, "Renames")).rows.at(-1);
+  assert.deepStrictEqual([log["Kind"], log["Old Name"], log["New Name"]], ["Boss", "Drawing", "Color"]);
+});
+
+test("a renamed boss keeps its forecast target", async () => {
+  await applyRename(await getSheets(), { kind: "Boss", sector: "Math", oldName: "Algebra", newName: "Pre-Algebra" }, TEACHER);
+  assert.strictEqual(await forecastTarget("Math", "Pre-Algebra"), "2027-06-01");
+});
+
+test("a renamed subject keeps its hours and compliance target", async () => {
+  const sheets = await getSheets();
+  await applyRename(sheets, { kind: "Subject", oldName: "Math", newName: "Mathematics" }, TEACHER);
+  const summary = summarizeAttendance(attendanceRecords(await fetchAttendanceSources(sheets)), await fetchCalendar(sheets), "2026-09-01", "2026-09-30");
+  assert.deepStrictEqual(summary.subjects.map((s) => [s.subject, s.minutes]), [["Mathematics", 150]]);
+  const checks = complianceChecks(summary, await fetchComplianceTargets(sheets));
+  assert.deepStrictEqual(checks.map((c) => [c.subject, c.actual, c.met]), [["Mathematics", 2.5, true]]);
+});
+
+test("a renamed subject keeps its transcript courses", async () => {
+  const sheets = await getSheets();
+  await applyRename(sheets, { kind: "Subject", oldName: "Mathematics", newName: "Numeracy" }, TEACHER);
+  const transcript = await loadTranscript(sheets);
+  assert.deepStrictEqual(transcript.years[0].courses.map((c) => [c.course, c.subject, c.quests]), [["Algebra I", "Numeracy", 1]]);
+  assert.deepStrictEqual(transcript.unmapped, []);
+});
+
+test("a renamed subject keeps its report card narrative but not old snapshots", async () => {
+  const sheets = await getSheets();
+  await applyRename(sheets, { kind: "Subject", oldName: "Numeracy", newName: "Arithmetic" }, TEACHER);
+  const draft = await loadReportCardDraft(sheets, { from: "2026-09-01", to: "2026-09-30" });
+  assert.deepStrictEqual(draft.subjects.map((s) => [s.subject, s.narrative]), [["Arithmetic", "Strong on fractions."]]);
+  assert.strictEqual((await readTable(sheets, "Report_Cards")).rows[0]["Subject"], "Math");
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getSheets, readTable, appendRows, applyRename, loadReportCardDraft, startServer, logIn } = require("./setup");
+
+const TEACHER = { name: "Teach", role: "teacher" };
+const SEPTEMBER = { from: "2026-09-01", to: "2026-09-30" };
+
+test.before(async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Users", [{ Email: "t@example.com", Name: "Teach", Role: "Teacher" }]);
+  await appendRows(sheets, "Sectors", [
+    { Sector: "Math", Subject: "Math", Boss: "Algebra", Minion: "Fractions", Status: "Enslaved", "Date Quest Completed": "2026-09-10" },
+    { Sector: "Art", Subject: "Art", Boss: "Color", Minion: "Mix", Status: "Enslaved", "Date Quest Completed": "2026-10-02" },
+  ]);
+  await appendRows(sheets, "Quests", [
+    { "Quest ID": "q1", Sector: "Math", Boss: "Algebra", Minion: "Fractions", Status: "Approved", "Date Completed": "2026-09-09", Reflection: "Halves finally clicked.", "Time Spent": "40" },
+  ]);
+  await appendRows(sheets, "Attendance", [{ "Entry ID": "a1", Date: "2026-09-05", Subject: "math", Minutes: "60" }]);
+  await appendRows(sheets, "Teacher_Notes", [
+    { Date: "2026-09-12", Author: "Teach", Subject: "MATH", Note: "Steady on fractions." },
+    { Date: "2026-09-12", Author: "Teach", Subject: "Art", Note: "No art work this month." },
+  ]);
+});
+
+test("a draft groups work by subject in any case and seeds narratives from notes", async () => {
+  const draft = await loadReportCardDraft(await getSheets(), SEPTEMBER);
+  assert.deepStrictEqual(draft.subjects.map((s) => [s.subject, s.mastered.map((m) => m.minion), s.minutes, s.reflections.map((r) => r.text), s.narrative]),
+    [["Math", ["Fractions"], 100, ["Halves finally clicked."], "Steady on fractions."]]);
+});
+
+test("a saved report card stays as saved after its subject and minion are renamed", async () => {
+  const server = await startServer();
+  try {
+    const b = await logIn(server.url, "t@example.com");
+    const saved = await b.post("/admin/report-cards", { title: "September", ...SEPTEMBER, include: "Math", subject: "Math", narrative: "Edited by hand.", comments: "A good start." });
+    assert.match(saved.location, /^\/report-cards\/RC-/);
+    const sheets = await getSheets();
+    const before = (await readTable(sheets, "Report_Cards")).rows;
+
+    await applyRename(sheets, { kind: "Subject", oldName: "Math", newName: "Numeracy" }, TEACHER);
+    await applyRename(sheets, { kind: "Minion", sector: "Math", boss: "Algebra", oldName: "Fractions", newName: "Ratios" }, TEACHER);
+    await appendRows(sheets, "Attendance", [{ "Entry ID": "a2", Date: "2026-09-20", Subject: "Numeracy", Minutes: "30" }]);
+
+    assert.deepStrictEqual((await readTable(sheets, "Report_Cards")).rows, before);
+    const page = (await b.get(saved.location)).text;
+    assert.match(page, /Math/);
+    assert.match(page, /Fractions/);
+    assert.match(page, /Edited by hand\./);
+    assert.doesNotMatch(page, /Numeracy|Ratios/);
+  } finally {
+    await server.close();
+  }
+});
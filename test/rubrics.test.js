@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getSheets, readTable, appendRows, startQuests, transitionQuest, transitionQuests, rubricFor, gradeRubric } = require("./setup");
+
+const TEACHER = { name: "Teach", role: "teacher" };
+const STUDENT = { name: "Stu", role: "student" };
+
+const RUBRICS = [
+  { Sector: "Science", Boss: "", Criterion: "Accuracy", "Max Points": "4" },
+  { Sector: "Science", Boss: "", Criterion: "Effort", "Max Points": "2" },
+  { Sector: "Science", Boss: "Lab", Criterion: "Safety", "Max Points": "5" },
+];
+
+test.before(async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Rubrics", RUBRICS);
+  await appendRows(sheets, "Sectors", ["Cells", "Atoms", "Waves", "Heat"].map((minion) => ({
+    Sector: "Science", Subject: "Science", Boss: "Biology", Minion: minion, Status: "Engaged", "Impact(1-3)": "1",
+  })));
+});
+
+async function submitted(minion) {
+  const sheets = await getSheets();
+  const { questIds: [id] } = await startQuests(sheets, [{ sector: "Science", boss: "Biology", minion }], { actor: STUDENT });
+  await transitionQuest(sheets, id, "submit", { actor: STUDENT, proofLink: "https://example.com", reflection: "r", timeSpent: 10 });
+  return id;
+}
+
+async function quest(id) {
+  return (await readTable(await getSheets(), "Quests")).rows.find((q) => q["Quest ID"] === id);
+}
+
+test("rubricFor prefers the boss rubric over the sector default", () => {
+  const rows = RUBRICS.map((r) => ({ ...r, Description: "" }));
+  assert.deepStrictEqual(rubricFor(rows, "Science", "Lab").map((c) => c.criterion), ["Safety"]);
+  assert.deepStrictEqual(rubricFor(rows, "Science", "Biology").map((c) => c.criterion), ["Accuracy", "Effort"]);
+  assert.deepStrictEqual(rubricFor(rows, "Math", "Biology"), []);
+});
+
+test("gradeRubric needs every score when there is a rubric", () => {
+  const criteria = [{ criterion: "Accuracy", maxPoints: 4 }, { criterion: "Effort", maxPoints: 2 }];
+  assert.deepStrictEqual(gradeRubric([], null), { mastery: "", summary: "" });
+  assert.throws(() => gradeRubric(criteria, null), { status: 400 });
+  assert.throws(() => gradeRubric(criteria, { Accuracy: 3 }), /Effort/);
+  assert.throws(() => gradeRubric(criteria, { Accuracy: 5, Effort: 2 }), /between 0 and 4/);
+  assert.deepStrictEqual(gradeRubric(criteria, { Accuracy: 3, Effort: 1.5 }), { mastery: 75, summary: "Accuracy: 3/4; Effort: 1.5/2" });
+});
+
+test("approving a rubric-backed quest without scores is refused", async () => {
+  const sheets = await getSheets();
+  const id = await submitted("Cells");
+  await assert.rejects(transitionQuest(sheets, id, "approve", { actor: TEACHER }), { status: 400 });
+  const q = await quest(id);
+  assert.strictEqual(q["Status"], "Submitted");
+  assert.strictEqual(q["Mastery"], "");
+});
+
+test("bulk approve skips rubric-backed quests instead of granting full Mastery", async () => {
+  const sheets = await getSheets();
+  const ids = [await submitted("Atoms"), await submitted("Waves")];
+  const { done, errors } = await transitionQuests(sheets, ids, "approve", { actor: TEACHER, feedback: "bulk" });
+  assert.deepStrictEqual(done, []);
+  assert.deepStrictEqual(errors.map((e) => [e.questId, e.status]), ids.map((id) => [id, 400]));
+  for (const id of ids) assert.strictEqual((await quest(id))["Status"], "Submitted");
+});
+
+test("scored approval records Mastery on the quest and the minion", async () => {
+  const sheets = await getSheets();
+  const id = await submitted("Heat");
+  await transitionQuest(sheets, id, "approve", { actor: TEACHER, scores: JSON.stringify({ Accuracy: 2, Effort: 1 }) });
+  const q = await quest(id);
+  assert.strictEqual(q["Status"], "Approved");
+  assert.strictEqual(q["Mastery"], "50");
+  assert.strictEqual(q["Rubric Scores"], "Accuracy: 2/4; Effort: 1/2");
+  const minion = (await readTable(sheets, "Sectors")).rows.find((r) => r["Minion"] === "Heat");
+  assert.strictEqual(minion["Mastery"], "50");
+});
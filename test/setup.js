@@ -0,0 +1,66 @@
+// Shared test setup: point every data path at a fresh temp dir and use the
+// local backend, then load the server without starting it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sovereign-hud-test-"));
+
+process.env.STORAGE_BACKEND = "local";
+process.env.SPREADSHEET_ID = "local";
+process.env.LOCAL_DATA_PATH = path.join(dir, "local-store.json");
+process.env.SESSION_STORE_PATH = path.join(dir, "sessions.json");
+process.env.ARTIFACTS_PATH = path.join(dir, "artifacts");
+process.env.STANDARDS_PATH = path.join(dir, "standards.csv");
+process.env.SESSION_SECRET = "test-secret";
+process.env.APPS_SCRIPT_URL = "";
+process.env.ANTHROPIC_API_KEY = "";
+
+const server = require("../server");
+
+// Listen on a free port; close() also drops fetch's keep-alive connections
+async function startServer() {
+  const srv = server.app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => srv.once("listening", resolve));
+  return {
+    url: `http://127.0.0.1:${srv.address().port}`,
+    close: () => new Promise((resolve) => { srv.closeAllConnections(); srv.close(resolve); }),
+  };
+}
+
+// Form-posting client that keeps its own cookies and never follows redirects
+function browser(url) {
+  const cookies = {};
+  async function request(method, pathname, form) {
+    const headers = { cookie: Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join("; ") };
+    let body;
+    if (form) {
+      headers["content-type"] = "application/x-www-form-urlencoded";
+      body = new URLSearchParams(form).toString();
+    }
+    const res = await fetch(url + pathname, { method, headers, body, redirect: "manual" });
+    for (const line of res.headers.getSetCookie()) {
+      const [pair, ...attrs] = line.split(";");
+      const [name, value] = pair.split("=");
+      if (attrs.some((a) => /expires=Thu, 01 Jan 1970/i.test(a))) delete cookies[name];
+      else cookies[name] = value;
+    }
+    return { status: res.status, location: res.headers.get("location"), text: await res.text() };
+  }
+  return {
+    cookies,
+    get: (pathname) => request("GET", pathname),
+    post: (pathname, form) => request("POST", pathname, form || {}),
+  };
+}
+
+// Browser logged in as an existing Users row (skips the emailed code)
+async function logIn(url, email) {
+  const b = browser(url);
+  const { code } = server.generateVerifyCode(email);
+  const res = await b.post("/login/verify", { email, code });
+  if (res.location !== "/") throw new Error(`Login as ${email} failed`);
+  return b;
+}
+
+module.exports = { ...server, dataDir: dir, startServer, browser, logIn };
@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { runStatEngine, buildRankConfig } = require("./setup");
+
+const DEFINITIONS = [{ Sector: "Math", INTELLIGENCE: "2", STAMINA: "0", TEMPO: "1", REPUTATION: "0" }];
+const RANKS = buildRankConfig([
+  { Tier: "Bronze", Rank: "Bronze I", "Status pts": "0", "Confidence pts": "0" },
+  { Tier: "Silver", Rank: "Silver I", "Status pts": "50", "Confidence pts": "100" },
+  { Tier: "Gold", Rank: "Gold I", "Status pts": "90", "Confidence pts": "200" },
+], DEFINITIONS);
+
+let minions = 0;
+const minion = (Sector, Status, Impact, extra = {}) => ({ Sector, Boss: "Boss", Minion: `Minion ${++minions}`, Status, "Impact(1-3)": String(Impact), Mastery: "", Recurring: "", ...extra });
+const stat = (commandCenter, name) => commandCenter.find((r) => r["CORE STATS"] === name);
+
+test("sector names match Definitions in any case and blank Mastery is full credit", () => {
+  const sectors = [minion("math", "Enslaved", 2), minion(" MATH", "Engaged", 2), minion("Math ", "Enslaved", 2, { Mastery: "50" })];
+  const intel = stat(runStatEngine(sectors, DEFINITIONS, RANKS), "Intel");
+  assert.deepStrictEqual(sectors.map((r) => r["INTELLIGENCE"]), [4, 4, 2]);
+  assert.deepStrictEqual([intel["VALUE (0-100)"], intel["Total Possible"], intel["Current Level"], intel["PTS Needed"]], [50, 12, "Silver I", 40]);
+});
+
+test("recurring minions add bonus XP without raising Total Possible", () => {
+  const sectors = [minion("Math", "Enslaved", 2), minion("Math", "Engaged", 2), minion("Math", "Enslaved", 1, { Recurring: "X" })];
+  const intel = stat(runStatEngine(sectors, DEFINITIONS, RANKS), "Intel");
+  assert.strictEqual(intel["Total Possible"], 8);
+  assert.strictEqual(intel["VALUE (0-100)"], 75);
+});
+
+test("a stat caps at 100 and the top rank needs no more points", () => {
+  const sectors = [minion("Math", "Enslaved", 1), minion("Math", "Enslaved", 3, { Recurring: "x" })];
+  const commandCenter = runStatEngine(sectors, DEFINITIONS, RANKS);
+  const intel = stat(commandCenter, "Intel");
+  assert.deepStrictEqual([intel["VALUE (0-100)"], intel["Current Level"], intel["PTS Needed"]], [100, "Gold I", 0]);
+  assert.strictEqual(stat(commandCenter, "Stamina")["VALUE (0-100)"], 0);
+  const confidence = stat(commandCenter, "Confidence");
+  assert.deepStrictEqual([confidence["VALUE (0-100)"], confidence["Current Level"], confidence["PTS Needed"]], [200, "Gold I", 0]);
+});
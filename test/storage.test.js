@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getSheets, readTable, appendRows, updateRows } = require("./setup");
+
+test("readTable returns the seeded headers and no rows", async () => {
+  const sheets = await getSheets();
+  const { headers, rows } = await readTable(sheets, "Calendar");
+  assert.deepStrictEqual(headers, ["Type", "Start", "End", "Label"]);
+  assert.deepStrictEqual(rows, []);
+});
+
+test("appendRows writes by header in any key order", async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Targets", [
+    { "Target Date": "2026-05-01", Boss: "Fractions", Sector: "Math" },
+    { Sector: "Science", Boss: "Cells" },
+  ]);
+  const { rows } = await readTable(sheets, "Targets");
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0]["Sector"], "Math");
+  assert.strictEqual(rows[0]["Target Date"], "2026-05-01");
+  assert.strictEqual(rows[1]["Boss"], "Cells");
+  assert.strictEqual(rows[1]["Target Date"] || "", "");
+});
+
+test("appendRows rejects unknown headers", async () => {
+  const sheets = await getSheets();
+  await assert.rejects(appendRows(sheets, "Targets", [{ Sector: "Math", Deadline: "soon" }]), /Deadline/);
+});
+
+test("updateRows changes only the named cells", async () => {
+  const sheets = await getSheets();
+  await appendRows(sheets, "Compliance", [
+    { Subject: "Math", "Required Days": "180", "Required Hours": "120" },
+    { Subject: "Art", "Required Days": "36", "Required Hours": "30" },
+  ]);
+  await updateRows(sheets, "Compliance", [{ index: 1, values: { "Required Hours": "45" } }]);
+  const { rows } = await readTable(sheets, "Compliance");
+  assert.strictEqual(rows[0]["Required Hours"], "120");
+  assert.strictEqual(rows[1]["Subject"], "Art");
+  assert.strictEqual(rows[1]["Required Days"], "36");
+  assert.strictEqual(rows[1]["Required Hours"], "45");
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildStudentList, startServer, browser } = require("./setup");
+
+const row = (id, spreadsheetId = "", active = "") => ({ "Student ID": id, Name: id.toUpperCase(), "Spreadsheet ID": spreadsheetId, Active: active });
+
+test("on Sheets only the first student may use the home spreadsheet", () => {
+  const { students, skipped } = buildStudentList([row("ann"), row("bo"), row("cy", "sheet-cy")], { local: false });
+  assert.deepStrictEqual(students.map((s) => [s.id, s.spreadsheetId]), [["ann", "local"], ["cy", "sheet-cy"]]);
+  assert.deepStrictEqual(skipped, [{ id: "bo", name: "BO", reason: "has no Spreadsheet ID" }]);
+});
+
+test("two students on one spreadsheet keep only the first", () => {
+  const { students, skipped } = buildStudentList([row("ann", "s1"), row("old", "s1", "no"), row("bo", "s1")], { local: false });
+  assert.deepStrictEqual(students.map((s) => s.id), ["ann"]);
+  assert.deepStrictEqual(skipped.map((s) => [s.id, s.reason]), [["bo", "uses the same spreadsheet as ANN"]]);
+});
+
+test("local students without a Spreadsheet ID get their own partition", () => {
+  const { students, skipped } = buildStudentList([row("ann"), row("bo")], { local: true });
+  assert.deepStrictEqual(students.map((s) => s.spreadsheetId), ["student-ann", "student-bo"]);
+  assert.deepStrictEqual(skipped, []);
+});
+
+test("a malformed /s/ student ID is a 400, not a 500", async () => {
+  const server = await startServer();
+  try {
+    const res = await browser(server.url).get("/s/%E0%A4%A/quests");
+    assert.strictEqual(res.status, 400);
+  } finally {
+    await server.close();
+  }
+});
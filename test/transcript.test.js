@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { buildTranscript } = require("./setup");
+
+const course = (Course, Subject, extra = {}) => ({ "School Year": "2025-2026", Course, Subject, Credits: "1", ...extra });
+const quest = (Subject, Mastery = "", extra = {}) => ({ Status: "Approved", "Date Resolved": "2026-03-01", Subject, Mastery, ...extra });
+const grades = (transcript) => transcript.years[0].courses.map((c) => [c.course, c.status, c.letter, c.points]);
+
+test("a course is graded from rubric-scored quests only", () => {
+  const t = buildTranscript([course("Algebra I", "Math")], [quest("Math", "72"), quest("Math", "88"), quest("Math")], [], "2026-08-01");
+  assert.deepStrictEqual(grades(t), [["Algebra I", "graded", "B", 3]]);
+  assert.deepStrictEqual([t.years[0].courses[0].quests, t.years[0].courses[0].scored], [3, 2]);
+});
+
+test("a course without rubric scores is a pass outside the GPA, not an A", () => {
+  const t = buildTranscript([course("Algebra I", "Math"), course("Art", "Art")], [quest("Math", "75"), quest("Art"), quest("Art")], [], "2026-08-01");
+  assert.deepStrictEqual(grades(t), [["Algebra I", "graded", "C", 2], ["Art", "pass", "P", null]]);
+  assert.strictEqual(t.credits, 2);
+  assert.strictEqual(t.gpa, 2);
+});
+
+test("a Grade override still letter-grades an unscored course", () => {
+  const t = buildTranscript([course("Art", "Art", { Grade: "b" })], [quest("Art")], [], "2026-08-01");
+  assert.deepStrictEqual(grades(t), [["Art", "graded", "B", 3]]);
+});
+
+test("an unscored course is in progress until the school year ends", () => {
+  const t = buildTranscript([course("Art", "Art")], [quest("Art")], [], "2026-05-01");
+  assert.deepStrictEqual(grades(t), [["Art", "in progress", "IP", null]]);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { generateVerifyCode, checkVerifyCode, verifyResendWait, pruneVerifyCodes } = require("./setup");
+
+const MINUTE = 60 * 1000;
+
+test.beforeEach((t) => t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-02T09:00:00Z") }));
+test.afterEach((t) => t.mock.timers.reset());
+
+function wrongCode(code) {
+  return code === "123456" ? "654321" : "123456";
+}
+
+test("a code works once, case-insensitively on the email", () => {
+  const { code } = generateVerifyCode("Once@Example.com");
+  assert.match(code, /^\d{6}$/);
+  assert.deepStrictEqual(checkVerifyCode("once@example.com", code), { ok: true });
+  assert.strictEqual(checkVerifyCode("once@example.com", code).reason, "expired");
+});
+
+test("codes expire after 10 minutes", (t) => {
+  const { code } = generateVerifyCode("late@example.com");
+  t.mock.timers.tick(10 * MINUTE + 1);
+  assert.strictEqual(checkVerifyCode("late@example.com", code).reason, "expired");
+});
+
+test("five wrong guesses lock the email for 15 minutes and burn the code", (t) => {
+  const email = "guess@example.com";
+  const { code } = generateVerifyCode(email);
+  for (let remaining = 4; remaining >= 1; remaining--) {
+    assert.deepStrictEqual(checkVerifyCode(email, wrongCode(code)), { ok: false, reason: "invalid", remaining });
+  }
+  const locked = checkVerifyCode(email, wrongCode(code));
+  assert.strictEqual(locked.reason, "locked");
+  assert.strictEqual(locked.wait, 15 * 60);
+
+  // The right code doesn't help while locked, and no new code is issued
+  assert.strictEqual(checkVerifyCode(email, code).reason, "locked");
+  assert.strictEqual(generateVerifyCode(email).error, "locked");
+
+  t.mock.timers.tick(15 * MINUTE);
+  assert.strictEqual(checkVerifyCode(email, code).reason, "expired", "the old code was burned");
+  const fresh = generateVerifyCode(email);
+  assert.ok(fresh.code);
+  assert.deepStrictEqual(checkVerifyCode(email, fresh.code), { ok: true });
+});
+
+test("a new code replaces the previous one", (t) => {
+  const email = "resend@example.com";
+  const first = generateVerifyCode(email);
+  t.mock.timers.tick(MINUTE);
+  const second = generateVerifyCode(email);
+  assert.ok(second.code);
+  if (first.code !== second.code) assert.strictEqual(checkVerifyCode(email, first.code).reason, "invalid");
+  assert.deepStrictEqual(checkVerifyCode(email, second.code), { ok: true });
+});
+
+test("resends are limited to one a minute and five an hour", (t) => {
+  const email = "spam@example.com";
+  assert.ok(generateVerifyCode(email).code);
+  assert.deepStrictEqual(generateVerifyCode(email), { error: "throttled", wait: 60 });
+  t.mock.timers.tick(30 * 1000);
+  assert.deepStrictEqual(verifyResendWait(email), { wait: 30, reason: "throttled" });
+
+  for (let i = 0; i < 4; i++) {
+    t.mock.timers.tick(MINUTE);
+    assert.ok(generateVerifyCode(email).code, `send ${i + 2}`);
+  }
+  t.mock.timers.tick(MINUTE);
+  const hourly = generateVerifyCode(email);
+  assert.strictEqual(hourly.error, "hourly");
+  // The first send (at 0:00) ages out at 60:00; we are at 5:30
+  assert.strictEqual(hourly.wait, 60 * 60 - (5 * 60 + 30));
+
+  t.mock.timers.tick(hourly.wait * 1000);
+  assert.ok(generateVerifyCode(email).code);
+});
+
+test("pruneVerifyCodes keeps live codes and drops spent entries", (t) => {
+  const { code } = generateVerifyCode("live@example.com");
+  pruneVerifyCodes();
+  assert.deepStrictEqual(checkVerifyCode("live@example.com", code), { ok: true });
+
+  generateVerifyCode("stale@example.com");
+  t.mock.timers.tick(60 * MINUTE + 1);
+  assert.ok(pruneVerifyCodes() >= 1);
+});